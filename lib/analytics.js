@@ -0,0 +1,241 @@
+import fs from "fs/promises";
+import path from "path";
+import { currentShop, shopDataDir } from "./shops.js";
+import { writeFileAtomic, createWriteQueue } from "./files.js";
+
+// Local analytics store, one per shop: <DATA_DIR>/shops/<shop>/analytics/store.json
+// Holds the line items of every order (so an updated order replaces its old numbers instead of
+// adding to them) and the daily visits per product. The dashboard reads only from here.
+const SAVE_DELAY_MS = 1000;
+// Bumped whenever stored orders gain fields; older orders are then imported again from scratch
+const STORE_VERSION = 3;
+
+const states = new Map(); // shop -> { store (loaded lazily), saveTimer, queueWrite }
+
+function shopState() {
+  const shop = currentShop();
+  if (!states.has(shop)) states.set(shop, { store: null, saveTimer: null, queueWrite: createWriteQueue() });
+  return states.get(shop);
+}
+
+function emptyStore() {
+  return {
+    version: STORE_VERSION,
+    // updated_at of the newest order ingested; null until the first full import has run
+    ordersCursor: null,
+    ordersSyncedAt: null,
+    // orderId -> { createdAt, updatedAt, test, cancelled, financialStatus, total,
+    //   lines: [{ variantId, sku, quantity, refunded, originalTotal, discountedTotal }] }
+    // financialStatus is Shopify's displayFinancialStatus (PAID, PARTIALLY_REFUNDED, ...). Money is in the shop currency.
+    orders: {},
+    visits: {}, // productId -> { days, lifetime }, see normalizeVisitHistory
+  };
+}
+
+async function loadStore() {
+  const state = shopState();
+  if (state.store) return state.store;
+  const storeFile = path.join(shopDataDir("analytics"), "store.json");
+  let loaded;
+  try {
+    const saved = JSON.parse(await fs.readFile(storeFile, "utf8"));
+    loaded = { ...emptyStore(), ...saved };
+    if ((saved.version || 1) < STORE_VERSION) {
+      console.log(`📊 Analytics store is version ${saved.version || 1}, importing orders again for version ${STORE_VERSION}`);
+      loaded = { ...emptyStore(), visits: saved.visits || {} };
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    loaded = emptyStore();
+  }
+  // A concurrent caller may have loaded it meanwhile
+  state.store ||= loaded;
+  return state.store;
+}
+
+// Changes arrive in bursts (a page of orders, a run of webhooks), so they are written at most once a second
+function scheduleSave() {
+  const state = shopState();
+  if (state.saveTimer) return;
+  const shop = currentShop();
+  const storeFile = path.join(shopDataDir("analytics"), "store.json");
+  state.saveTimer = setTimeout(() => {
+    state.saveTimer = null;
+    const data = JSON.stringify(state.store);
+    state.queueWrite(() => writeFileAtomic(storeFile, data), `analytics store of ${shop}`);
+  }, SAVE_DELAY_MS);
+}
+
+// Order: { id, createdAt, updatedAt, total, lines: [...] } as described above. An order already stored is
+// only replaced by a version that is at least as new.
+export async function upsertOrders(orders) {
+  const { orders: stored } = await loadStore();
+  let changed = 0;
+  orders.forEach(({ id, ...order }) => {
+    const existing = stored[id];
+    if (existing && order.updatedAt && existing.updatedAt > order.updatedAt) return;
+    stored[id] = order;
+    changed++;
+  });
+  if (changed > 0) scheduleSave();
+  return changed;
+}
+
+export async function getOrderSyncState() {
+  const { ordersCursor, ordersSyncedAt, ordersVersion, orders } = await loadStore();
+  return { cursor: ordersCursor, syncedAt: ordersSyncedAt, version: ordersVersion || 1, orderCount: Object.keys(orders).length };
+}
+
+// version: how the stored lines were computed; the server re-imports the history when it changes
+export async function setOrderSyncState({ cursor, syncedAt, version }) {
+  const current = await loadStore();
+  if (cursor !== undefined) current.ordersCursor = cursor;
+  if (syncedAt !== undefined) current.ordersSyncedAt = syncedAt;
+  if (version !== undefined) current.ordersVersion = version;
+  scheduleSave();
+}
+
+const dateFormats = new Map(); // timeZone -> Intl.DateTimeFormat, building one per call is slow
+
+// "YYYY-MM-DD" of a moment in the given IANA timezone (en-CA formats dates that way)
+export function localDate(date, timeZone = "UTC") {
+  if (!dateFormats.has(timeZone)) {
+    dateFormats.set(timeZone, new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }));
+  }
+  return dateFormats.get(timeZone).format(new Date(date));
+}
+
+// variants: [{ variantGid, sku }] -> Map<variantGid, { "YYYY-MM-DD": day }> where a day is
+// { quantity, grossQuantity, revenue, discount, orders, orderValue }.
+// grossQuantity counts every unit ordered; quantity is net of cancelled orders and refunded units, and
+// revenue, discount, orders and orderValue follow the net figures. Test orders never count.
+// financialStatuses, when given, keeps only orders in one of those statuses. Days are calendar days in
+// timeZone, normally the shop's.
+// A line counts for a variant when either its variant ID or its SKU matches, so history survives the
+// variant being recreated under a new ID as well as a SKU being renamed.
+export async function dailyVariantSales(variants, { financialStatuses = null, timeZone = "UTC" } = {}) {
+  const { orders } = await loadStore();
+  const byGid = new Map(variants.map(v => [v.variantGid, v.variantGid]));
+  const bySku = new Map(variants.filter(v => v.sku).map(v => [v.sku, v.variantGid]));
+  const sales = new Map(variants.map(v => [v.variantGid, {}]));
+
+  Object.values(orders).forEach(order => {
+    if (order.test) return;
+    if (financialStatuses && !financialStatuses.includes(order.financialStatus)) return;
+    const date = localDate(order.createdAt, timeZone);
+    const inOrder = new Set();
+    order.lines.forEach(line => {
+      const gid = byGid.get(line.variantId) || (line.sku && bySku.get(line.sku));
+      if (!gid) return;
+      const daily = sales.get(gid);
+      const day = (daily[date] ||= { quantity: 0, grossQuantity: 0, revenue: 0, discount: 0, orders: 0, orderValue: 0 });
+      day.grossQuantity += line.quantity;
+      const netQuantity = order.cancelled ? 0 : line.quantity - (line.refunded || 0);
+      if (netQuantity <= 0) return;
+      // Money is taken pro rata for the units that were kept
+      const kept = netQuantity / line.quantity;
+      day.quantity += netQuantity;
+      day.revenue += (line.discountedTotal || 0) * kept;
+      day.discount += ((line.originalTotal || 0) - (line.discountedTotal || 0)) * kept;
+      if (!inOrder.has(gid)) {
+        inOrder.add(gid);
+        day.orders++;
+        day.orderValue += order.total || 0;
+      }
+    });
+  });
+  return sales;
+}
+
+// A product's visit history, both in its daily_visits metafield and in the store:
+// { days: { "YYYY-MM-DD": { views, visitors } }, lifetime: { views, visitors } }
+// Days past the retention window are rolled up into one entry per week or month, keyed by its first day
+// and carrying the last one in `until`. A rolled-up entry's visitors are the sum of its days' visitors.
+// Older metafields are a plain { date: day } map, and days written before unique visitors were tracked
+// are plain counts of pageviews standing in for both.
+export function normalizeVisitHistory(value) {
+  const isHistory = value && typeof value.days === "object" && value.days !== null;
+  const days = Object.fromEntries(Object.entries((isHistory ? value.days : value) || {}).map(([date, day]) => [
+    date,
+    typeof day === "number"
+      ? { views: day, visitors: day }
+      : { views: day.views || 0, visitors: day.visitors || 0, ...(day.until ? { until: day.until } : {}) },
+  ]));
+  const lifetime = isHistory && value.lifetime
+    ? { views: value.lifetime.views || 0, visitors: value.lifetime.visitors || 0 }
+    : Object.values(days).reduce((sum, day) => ({ views: sum.views + day.views, visitors: sum.visitors + day.visitors }), { views: 0, visitors: 0 });
+  return { days, lifetime };
+}
+
+// Adds { "YYYY-MM-DD": { views, visitors } } to the history's days and lifetime total
+export function recordVisits(history, increments) {
+  Object.entries(increments).forEach(([date, day]) => {
+    const current = history.days[date] || { views: 0, visitors: 0 };
+    history.days[date] = { ...current, views: current.views + day.views, visitors: current.visitors + day.visitors };
+    history.lifetime.views += day.views;
+    history.lifetime.visitors += day.visitors;
+  });
+  return history;
+}
+
+function shiftDate(date, days) {
+  const moved = new Date(`${date}T00:00:00Z`);
+  moved.setUTCDate(moved.getUTCDate() + days);
+  return moved.toISOString().slice(0, 10);
+}
+
+// First and last day of the week (Monday to Sunday) or month holding the date
+function rollupPeriod(date, rollup) {
+  if (rollup === "week") {
+    const start = shiftDate(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+    return { start, until: shiftDate(start, 6) };
+  }
+  const start = `${date.slice(0, 7)}-01`;
+  const nextMonth = new Date(`${start}T00:00:00Z`);
+  nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+  return { start, until: shiftDate(nextMonth.toISOString().slice(0, 10), -1) };
+}
+
+// Rolls days older than retentionDays before today into their week or month (rollup: "week" | "month").
+// Only whole periods are rolled up, so a rolled-up entry never shares days with a daily one. The lifetime
+// total is unchanged. Returns the number of days rolled up.
+export function compactVisitHistory(history, { today, retentionDays, rollup = "month" }) {
+  const cutoff = shiftDate(today, -retentionDays);
+  const days = {};
+  let rolled = 0;
+  const merge = (date, entry) => {
+    const current = days[date];
+    days[date] = current
+      ? { ...current, views: current.views + entry.views, visitors: current.visitors + entry.visitors }
+      : { ...entry };
+  };
+  Object.entries(history.days).forEach(([date, day]) => {
+    const period = day.until ? null : rollupPeriod(date, rollup);
+    if (!period || period.until >= cutoff) return merge(date, day);
+    merge(period.start, { views: day.views, visitors: day.visitors, until: period.until });
+    rolled++;
+  });
+  history.days = days;
+  return rolled;
+}
+
+// Share of a visit entry ({ date, until? }) inside from..to, inclusive. Days are in or out; a rolled-up
+// week or month counts pro rata for the days it shares with the range.
+export function visitShareInRange(entry, from, to) {
+  const until = entry.until || entry.date;
+  const start = entry.date > from ? entry.date : from;
+  const end = until < to ? until : to;
+  if (start > end) return 0;
+  const dayCount = (first, last) => (Date.parse(last) - Date.parse(first)) / 86400000 + 1;
+  return dayCount(start, end) / dayCount(entry.date, until);
+}
+
+export async function getProductVisits(productId) {
+  return (await loadStore()).visits[String(productId)] || null;
+}
+
+// Replaces the whole visit history of one product
+export async function setProductVisits(productId, history) {
+  (await loadStore()).visits[String(productId)] = history;
+  scheduleSave();
+}
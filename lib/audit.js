@@ -0,0 +1,72 @@
+import fs from "fs/promises";
+import path from "path";
+import { shopDataDir } from "./shops.js";
+import { writeFileAtomic, createWriteQueue, checkProductId } from "./files.js";
+
+// Audit log of bundle operations, one file per product: <DATA_DIR>/shops/<shop>/audit/<productId>.json
+// Every product a create, update, sync, delete or restore touches gets an entry with who asked for it,
+// the parameters, the changes (before -> after) and the outcome. Oldest first; the oldest entries are
+// dropped past AUDIT_ENTRIES_PER_PRODUCT.
+const MAX_ENTRIES = parseInt(process.env.AUDIT_ENTRIES_PER_PRODUCT, 10) || 500;
+
+const queueWrite = createWriteQueue();
+
+function auditDir() {
+  return shopDataDir("audit");
+}
+
+function auditFile(productId) {
+  return path.join(auditDir(), `${checkProductId(productId)}.json`);
+}
+
+async function readEntries(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+// entry: { productId, title, operation, actor, jobId, params, status: "success"|"error", message, changes }
+// Read and write go through one queue, so concurrent job items never drop each other's entries.
+// A failed write is logged; the operation itself has already happened.
+export function recordAudit(entry) {
+  const file = auditFile(entry.productId);
+  const saved = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    at: new Date().toISOString(),
+    ...entry,
+    productId: String(entry.productId),
+  };
+  return queueWrite(async () => {
+    const entries = await readEntries(file);
+    entries.push(saved);
+    entries.splice(0, Math.max(entries.length - MAX_ENTRIES, 0));
+    await writeFileAtomic(file, JSON.stringify(entries));
+  }, `audit entry for product ${entry.productId}`).then(() => saved);
+}
+
+// Newest first. Filters: productId, operation, status, actor (substring), from / to ("YYYY-MM-DD", inclusive, UTC)
+export async function listAuditEntries({ productId = null, operation = null, status = null, actor = null, from = null, to = null, limit = 200 } = {}) {
+  let files;
+  if (productId) {
+    files = [auditFile(productId)];
+  } else {
+    try {
+      files = (await fs.readdir(auditDir())).filter(f => /^\d+\.json$/.test(f)).map(f => path.join(auditDir(), f));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+  const actorMatch = actor ? String(actor).toLowerCase() : null;
+  const entries = (await Promise.all(files.map(readEntries))).flat().filter(e =>
+    (!operation || e.operation === operation) &&
+    (!status || e.status === status) &&
+    (!actorMatch || String(e.actor || "").toLowerCase().includes(actorMatch)) &&
+    (!from || e.at.slice(0, 10) >= from) &&
+    (!to || e.at.slice(0, 10) <= to)
+  );
+  return entries.sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit);
+}
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+
+// Dashboard authentication helpers: Shopify App Bridge session tokens for the embedded app, the
+// standalone password, and CSRF tokens for form posts.
+const CLOCK_SKEW_SECONDS = 10;
+
+function base64UrlDecode(part) {
+  return Buffer.from(part.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// App Bridge session tokens are HS256 JWTs signed with the app's API secret. Returns the payload
+// ({ iss, dest, aud, sub, exp, nbf, ... }) when the token is valid for this app and was issued for one
+// of `shops` (its dest), else null. Any shop can get a token for the same API key, so without shops
+// nothing passes.
+export function verifySessionToken(token, { apiKey, apiSecret, shops }) {
+  if (!token || !apiKey || !apiSecret || !Array.isArray(shops)) return null;
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+
+  let header, payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+    payload = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (header.alg !== "HS256") return null;
+
+  const expected = crypto.createHmac("sha256", apiSecret).update(`${parts[0]}.${parts[1]}`).digest();
+  const signature = base64UrlDecode(parts[2]);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== "number" || payload.exp < now - CLOCK_SKEW_SECONDS) return null;
+  if (typeof payload.nbf === "number" && payload.nbf > now + CLOCK_SKEW_SECONDS) return null;
+  if ([].concat(payload.aud).every(aud => aud !== apiKey)) return null;
+
+  let shop;
+  try {
+    shop = new URL(payload.dest).hostname;
+  } catch {
+    return null;
+  }
+  if (!/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(shop)) return null;
+  // The issuer is the admin of the same shop: https://<shop>/admin
+  if (!String(payload.iss || "").startsWith(`https://${shop}/`)) return null;
+  if (!shops.includes(shop)) return null;
+  return payload;
+}
+
+// OAuth redirects carry `hmac`: the hex HMAC-SHA256 of every other query parameter, sorted by name
+// and encoded as a query string
+export function verifyOAuthHmac(query, apiSecret) {
+  if (!query?.hmac || !apiSecret) return false;
+  const message = new URLSearchParams(
+    Object.keys(query)
+      .filter(key => key !== "hmac" && key !== "signature")
+      .sort()
+      .map(key => [key, String(query[key])])
+  ).toString();
+  const digest = crypto.createHmac("sha256", apiSecret).update(message).digest("hex");
+  return safeEqual(digest, query.hmac);
+}
+
+// Hashing first makes the comparison constant-time regardless of the lengths
+export function passwordMatches(input, expected) {
+  if (!input || !expected) return false;
+  const digest = value => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(input), digest(expected));
+}
+
+// One token per session, created on first use
+export function ensureCsrfToken(session) {
+  if (!session.csrfToken) session.csrfToken = crypto.randomBytes(24).toString("base64url");
+  return session.csrfToken;
+}
+
+export function csrfTokenMatches(session, token) {
+  return Boolean(session?.csrfToken && token) && safeEqual(session.csrfToken, token);
+}
+
+// Only same-site paths are followed after a login, never "//host" or absolute URLs
+export function safeRedirectPath(value, fallback = "/") {
+  const target = String(value || "");
+  return target.startsWith("/") && !target.startsWith("//") && !target.startsWith("/\\") ? target : fallback;
+}
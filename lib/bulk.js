@@ -0,0 +1,165 @@
+import axios from "axios";
+import fs from "fs/promises";
+import path from "path";
+import readline from "readline";
+import { currentShop, shopDataDir } from "./shops.js";
+import { writeFileAtomic } from "./files.js";
+
+// Shopify Bulk Operations: run one query over the whole shop, stream the JSONL result and keep the
+// parsed outcome in <DATA_DIR>/shops/<shop>/bulk/<name>.json until the next run replaces it.
+const POLL_INTERVAL_MS = 2000;
+const MAX_WAIT_MS = 15 * 60 * 1000;
+
+const BULK_RUN_MUTATION = `
+  mutation bulkOperationRunQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_STATUS_QUERY = `
+  query bulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A shop runs one bulk query at a time, so every run for the same shop waits its turn
+const bulkQueues = new Map(); // shop -> Promise
+const scans = new Map(); // "<shop>/<name>" -> { running: Promise|null, again: boolean }
+const staleScans = new Set(); // "<shop>/<name>" of cached results that predate a change made by this app
+
+function scanKey(name) {
+  return `${currentShop()}/${name}`;
+}
+
+// Chains run() behind the current shop's previous bulk operation
+function enqueue(run) {
+  const shop = currentShop();
+  const result = (bulkQueues.get(shop) || Promise.resolve()).then(run);
+  bulkQueues.set(shop, result.catch(() => {}));
+  return result;
+}
+
+async function runBulkQuery(client, query) {
+  const data = await client.mutation(BULK_RUN_MUTATION, { query });
+  const { id } = data.bulkOperationRunQuery.bulkOperation;
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < MAX_WAIT_MS) {
+    await wait(POLL_INTERVAL_MS);
+    const { node } = await client.graphql(BULK_STATUS_QUERY, { id });
+    if (node.status === "COMPLETED") return node;
+    if (["FAILED", "CANCELED", "EXPIRED"].includes(node.status)) {
+      throw new Error(`Bulk operation ${id} ${node.status.toLowerCase()}${node.errorCode ? ` (${node.errorCode})` : ""}`);
+    }
+  }
+  throw new Error(`Bulk operation ${id} did not finish within ${MAX_WAIT_MS / 60000} minutes`);
+}
+
+// Calls onRecord for every line of the result file; nested connections arrive as separate
+// records carrying the parent's id in __parentId, always after their parent.
+async function streamJsonl(url, onRecord) {
+  const response = await axios.get(url, { responseType: "stream" });
+  const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) onRecord(JSON.parse(line));
+  }
+}
+
+function cacheFile(name) {
+  return path.join(shopDataDir("bulk"), `${name}.json`);
+}
+
+async function readCache(name) {
+  try {
+    return JSON.parse(await fs.readFile(cacheFile(name), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function writeCache(name, entry) {
+  await writeFileAtomic(cacheFile(name), JSON.stringify(entry));
+}
+
+// createParser() returns { onRecord(record), result() }; result() is what gets cached
+async function runScan(client, name, { query, createParser }) {
+  return enqueue(async () => {
+    staleScans.delete(scanKey(name));
+    console.log(`📦 Bulk scan "${name}" started`);
+    const operation = await runBulkQuery(client, query);
+    const parser = createParser();
+    if (operation.url) await streamJsonl(operation.url, record => parser.onRecord(record));
+    const entry = { completedAt: new Date().toISOString(), objectCount: Number(operation.objectCount || 0), data: parser.result() };
+    await writeCache(name, entry);
+    console.log(`📦 Bulk scan "${name}" finished: ${entry.objectCount} objects`);
+    return entry;
+  });
+}
+
+// One-off run without caching: every record goes to onRecord as it is streamed. Resolves to the operation.
+export function runBulkStream(client, query, onRecord) {
+  return enqueue(async () => {
+    const operation = await runBulkQuery(client, query);
+    if (operation.url) await streamJsonl(operation.url, onRecord);
+    return operation;
+  });
+}
+
+// Runs the scan unless one is already going; a request made meanwhile queues exactly one more run
+function refreshScan(client, name, spec) {
+  const key = scanKey(name);
+  const state = scans.get(key) || { running: null, again: false };
+  scans.set(key, state);
+  if (state.running) {
+    state.again = true;
+    return state.running;
+  }
+  state.running = runScan(client, name, spec).finally(() => {
+    state.running = null;
+    if (state.again) {
+      state.again = false;
+      refreshScan(client, name, spec).catch(err => console.error(`❌ Bulk scan "${name}" failed:`, err.message));
+    }
+  });
+  return state.running;
+}
+
+// Returns the cached result, refreshing in the background once it is older than maxAgeMs or marked
+// stale. Only the very first call (nothing cached yet) waits for the scan.
+export async function getBulkScan(client, name, { maxAgeMs, ...spec }) {
+  const cached = await readCache(name);
+  if (!cached) return (await refreshScan(client, name, spec)).data;
+
+  const age = Date.now() - new Date(cached.completedAt).getTime();
+  if (staleScans.has(scanKey(name)) || age > maxAgeMs) {
+    refreshScan(client, name, spec).catch(err => console.error(`❌ Bulk scan "${name}" failed:`, err.message));
+  }
+  return cached.data;
+}
+
+// Forces a new run now, e.g. from the dashboard's refresh button
+export function startBulkScan(client, name, { maxAgeMs, ...spec }) {
+  return refreshScan(client, name, spec);
+}
+
+// After the app changes products itself: the next read serves the old data and triggers a new scan
+export function markBulkScanStale(name) {
+  staleScans.add(scanKey(name));
+}
+
+export async function getBulkScanInfo(name) {
+  const cached = await readCache(name);
+  return {
+    completedAt: cached?.completedAt || null,
+    stale: staleScans.has(scanKey(name)),
+    running: Boolean(scans.get(scanKey(name))?.running),
+  };
+}
@@ -0,0 +1,29 @@
+import fs from "fs/promises";
+import path from "path";
+
+// What every store under <DATA_DIR> writes through: whole-file writes that a crash cannot leave half
+// done, a queue that keeps writes to shared files in order, and the check for IDs used in file names.
+
+// Writes through a temp file and a rename, creating the folder if needed
+export async function writeFileAtomic(file, data, { mode } = {}) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(`${file}.tmp`, data, mode === undefined ? undefined : { mode });
+  await fs.rename(`${file}.tmp`, file);
+}
+
+// queue(task, what) runs task once every task queued before it is done. A failed task is logged as
+// "Error saving <what>" and does not hold up the rest; the promise queue() returns never rejects.
+export function createWriteQueue() {
+  let tail = Promise.resolve();
+  return (task, what) => {
+    tail = tail.then(task).catch(err => console.error(`Error saving ${what}:`, err.message));
+    return tail;
+  };
+}
+
+// Product IDs name files and folders, so only numeric ones are let through: anything else could
+// point a path outside the folder it belongs in
+export function checkProductId(productId) {
+  if (!/^\d+$/.test(String(productId))) throw new Error(`Invalid product ID: ${productId}`);
+  return String(productId);
+}
@@ -0,0 +1,253 @@
+import fs from "fs/promises";
+import path from "path";
+import { currentShop, defaultShop, runWithShop } from "./shops.js";
+import { writeFileAtomic, createWriteQueue } from "./files.js";
+
+// Bulk bundle operations run as persisted jobs: <DATA_DIR>/jobs/<jobId>.json
+// The HTTP request only enqueues; an in-process worker works through the items and every
+// status poll nudges it, so jobs keep moving under the serverless handler as well.
+// Each job belongs to the shop it was created for and runs, and is only listed, in that shop.
+// Finished jobs are kept for JOB_RETENTION_DAYS, and at most MAX_JOBS_PER_SHOP of them per shop.
+const JOB_DIR = path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "jobs");
+const JOB_RETENTION_DAYS = Math.max(parseInt(process.env.JOB_RETENTION_DAYS, 10) || 30, 1);
+const MAX_JOBS_PER_SHOP = 500;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const READ_BATCH = 50;
+
+const handlers = new Map(); // type -> { handler, concurrency }
+const jobs = new Map(); // jobId -> job (the unfinished ones; finished jobs are read from disk when asked for)
+const queueWrite = createWriteQueue();
+let workerRunning = false;
+let lastPruneAt = 0;
+
+function jobFile(jobId) {
+  if (!/^[\w-]+$/.test(String(jobId))) throw new Error(`Invalid job ID: ${jobId}`);
+  return path.join(JOB_DIR, `${jobId}.json`);
+}
+
+// Writes are serialised, so a job's saves land in the order they were made
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const data = JSON.stringify(job, null, 2);
+  return queueWrite(() => writeFileAtomic(jobFile(job.id), data), `job ${job.id}`);
+}
+
+function isUnfinished(job) {
+  return job.status === "queued" || job.status === "running";
+}
+
+function summarize(job) {
+  const counts = { pending: 0, running: 0, done: 0, error: 0 };
+  job.items.forEach(item => { counts[item.status]++; });
+  job.counts = counts;
+  if (counts.pending === 0 && counts.running === 0) {
+    job.status = counts.error > 0 ? "completed_with_errors" : "completed";
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+  }
+  return job;
+}
+
+// handler(productId, params, job) resolves to a result message or throws; concurrency is per job
+export function registerJobHandler(type, handler, { concurrency = 1 } = {}) {
+  handlers.set(type, { handler, concurrency });
+}
+
+// actor: who asked for the job, e.g. the signed-in user or a webhook topic
+export async function createJob(type, productIds, params = {}, { actor = null } = {}) {
+  if (!handlers.has(type)) throw new Error(`Unknown job type: ${type}`);
+  const now = new Date().toISOString();
+  const job = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    shop: currentShop(),
+    actor,
+    status: "queued",
+    params,
+    createdAt: now,
+    finishedAt: null,
+    items: productIds.map(productId => ({ productId: String(productId), status: "pending", message: "", attempts: 0 })),
+  };
+  summarize(job);
+  jobs.set(job.id, job);
+  await saveJob(job);
+  kickWorker();
+  if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) {
+    pruneJobs().catch(err => console.error("Error pruning jobs:", err.message));
+  }
+  return job;
+}
+
+// Jobs from before shops were told apart belong to the single-shop setup's shop
+function jobShop(job) {
+  return job.shop || defaultShop();
+}
+
+async function loadJob(jobId) {
+  if (jobs.has(jobId)) return jobs.get(jobId);
+  try {
+    const job = JSON.parse(await fs.readFile(jobFile(jobId), "utf8"));
+    if (isUnfinished(job)) jobs.set(job.id, job);
+    return job;
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// IDs of every shop's jobs, newest first (an ID starts with its creation time)
+async function listJobIds() {
+  try {
+    const files = (await fs.readdir(JOB_DIR)).filter(f => f.endsWith(".json"));
+    return files.map(f => f.replace(/\.json$/, "")).sort((a, b) => jobTime(b) - jobTime(a) || b.localeCompare(a));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+function jobTime(jobId) {
+  return parseInt(jobId, 10) || 0;
+}
+
+// Reads jobs newest first, READ_BATCH files at a time, until stop(jobsSoFar) says enough
+async function loadJobs(stop = () => false) {
+  const loaded = [];
+  const ids = await listJobIds();
+  for (let i = 0; i < ids.length && !stop(loaded); i += READ_BATCH) {
+    loaded.push(...(await Promise.all(ids.slice(i, i + READ_BATCH).map(loadJob))).filter(Boolean));
+  }
+  return loaded;
+}
+
+// Deletes finished jobs past the retention period, and each shop's finished jobs beyond the newest
+// MAX_JOBS_PER_SHOP. Unfinished jobs are never deleted.
+async function pruneJobs(all = null) {
+  lastPruneAt = Date.now();
+  const cutoff = Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = new Map(); // shop -> finished jobs kept so far
+  const expired = [];
+  for (const job of all || (await loadJobs())) {
+    if (isUnfinished(job)) continue;
+    const shop = jobShop(job);
+    kept.set(shop, (kept.get(shop) || 0) + 1);
+    if (jobTime(job.id) < cutoff || kept.get(shop) > MAX_JOBS_PER_SHOP) expired.push(job.id);
+  }
+  for (const jobId of expired) {
+    await fs.unlink(jobFile(jobId)).catch(err => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+  if (expired.length > 0) console.log(`🧹 Deleted ${expired.length} old job(s)`);
+}
+
+export async function getJob(jobId) {
+  const job = await loadJob(jobId);
+  return job && jobShop(job) === currentShop() ? job : null;
+}
+
+// The current shop's jobs, newest first, without the item lists
+export async function listJobs(limit = 50) {
+  const shop = currentShop();
+  const own = job => jobShop(job) === shop;
+  const loaded = await loadJobs(soFar => soFar.filter(own).length >= limit);
+  return loaded.filter(own).slice(0, limit).map(({ items, ...job }) => job);
+}
+
+// Puts failed items (or only the given products) back in the queue
+export async function retryJob(jobId, productIds = null) {
+  const job = await getJob(jobId);
+  if (!job) return null;
+  const only = productIds ? new Set(productIds.map(String)) : null;
+  let retried = 0;
+  job.items.forEach(item => {
+    if (item.status === "error" && (!only || only.has(item.productId))) {
+      item.status = "pending";
+      item.message = "";
+      retried++;
+    }
+  });
+  if (retried > 0) {
+    job.status = "queued";
+    job.finishedAt = null;
+    summarize(job);
+    jobs.set(job.id, job);
+    await saveJob(job);
+    kickWorker();
+  }
+  return { job, retried };
+}
+
+async function runItem(job, item, handler) {
+  item.status = "running";
+  item.attempts++;
+  item.startedAt = new Date().toISOString();
+  await saveJob(job);
+  try {
+    item.message = (await handler(item.productId, job.params, job)) || "Done";
+    item.status = "done";
+  } catch (err) {
+    item.message = err.message;
+    item.status = "error";
+  }
+  item.finishedAt = new Date().toISOString();
+  summarize(job);
+  await saveJob(job);
+}
+
+async function runJob(job) {
+  const { handler, concurrency } = handlers.get(job.type);
+  job.status = "running";
+  await saveJob(job);
+  let pending = job.items.filter(item => item.status === "pending");
+  while (pending.length > 0) {
+    await Promise.all(pending.slice(0, concurrency).map(item => runItem(job, item, handler)));
+    pending = job.items.filter(item => item.status === "pending");
+  }
+  summarize(job);
+  await saveJob(job);
+  jobs.delete(job.id);
+  console.log(`Job ${job.id} (${job.type}) finished: ${JSON.stringify(job.counts)}`);
+}
+
+// Starts the worker unless it is already going; safe to call as often as needed
+export function kickWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  setImmediate(async () => {
+    try {
+      let next;
+      while ((next = [...jobs.values()].find(j => j.status === "queued" || j.status === "running"))) {
+        if (!handlers.has(next.type)) {
+          next.status = "failed";
+          await saveJob(next);
+          jobs.delete(next.id);
+          continue;
+        }
+        const job = next;
+        await runWithShop(jobShop(job), () => runJob(job));
+      }
+    } catch (err) {
+      console.error("Job worker error:", err.message);
+    } finally {
+      workerRunning = false;
+    }
+  });
+}
+
+// Picks up unfinished jobs after a restart, and prunes old ones. Items that were mid-flight are run again.
+export async function resumeJobs() {
+  const all = await loadJobs();
+  await pruneJobs(all);
+  const unfinished = all.filter(isUnfinished);
+  for (const job of unfinished) {
+    job.items.forEach(item => {
+      if (item.status === "running") item.status = "pending";
+    });
+    job.status = "queued";
+    await saveJob(job);
+  }
+  if (unfinished.length > 0) {
+    console.log(`Resuming ${unfinished.length} unfinished job(s)`);
+    kickWorker();
+  }
+}
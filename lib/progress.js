@@ -0,0 +1,36 @@
+import fs from "fs/promises";
+import path from "path";
+import { shopDataDir } from "./shops.js";
+import { writeFileAtomic, checkProductId } from "./files.js";
+
+// Progress of multi-step product changes: <DATA_DIR>/shops/<shop>/progress/<operation>/<productId>.json
+// A run records its plan before the first change and each named step once it is done, so a run that
+// stopped halfway is resumed from the recorded plan instead of being re-planned from a half-changed product.
+// progress: { operation, productId, startedAt, completedAt, plan, steps: { <name>: { doneAt, ... } } }
+
+function progressFile(operation, productId) {
+  return path.join(shopDataDir("progress", operation), `${checkProductId(productId)}.json`);
+}
+
+export async function getProgress(operation, productId) {
+  try {
+    return JSON.parse(await fs.readFile(progressFile(operation, productId), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export async function saveProgress(progress) {
+  progress.updatedAt = new Date().toISOString();
+  await writeFileAtomic(progressFile(progress.operation, progress.productId), JSON.stringify(progress, null, 2));
+  return progress;
+}
+
+export async function clearProgress(operation, productId) {
+  try {
+    await fs.unlink(progressFile(operation, productId));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+}
@@ -0,0 +1,90 @@
+import session from "express-session";
+import fs from "fs/promises";
+import path from "path";
+import { writeFileAtomic, createWriteQueue } from "./files.js";
+
+// express-session store keeping dashboard sessions in <DATA_DIR>/sessions/sessions.json, so logins
+// survive a restart. Sessions live in memory and are written at most once a second.
+const SESSIONS_DIR = path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "sessions");
+const SESSIONS_FILE = path.join(SESSIONS_DIR, "sessions.json");
+const SAVE_DELAY_MS = 1000;
+const DEFAULT_TTL_MS = 24 * 3600 * 1000; // for sessions whose cookie has no expiry
+
+export class FileSessionStore extends session.Store {
+  constructor() {
+    super();
+    this.sessions = null; // sid -> { session, expiresAt }, loaded lazily
+    this.saveTimer = null;
+    this.queueWrite = createWriteQueue();
+  }
+
+  async load() {
+    if (this.sessions) return this.sessions;
+    try {
+      this.sessions = JSON.parse(await fs.readFile(SESSIONS_FILE, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      this.sessions = {};
+    }
+    return this.sessions;
+  }
+
+  // Expired sessions are dropped with every write
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      const now = Date.now();
+      Object.entries(this.sessions).forEach(([sid, entry]) => {
+        if (entry.expiresAt <= now) delete this.sessions[sid];
+      });
+      const data = JSON.stringify(this.sessions);
+      this.queueWrite(() => writeFileAtomic(SESSIONS_FILE, data, { mode: 0o600 }), "sessions");
+    }, SAVE_DELAY_MS);
+  }
+
+  expiresAt(sess) {
+    return sess.cookie?.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+  }
+
+  get(sid, callback) {
+    this.load()
+      .then(sessions => {
+        const entry = sessions[sid];
+        callback(null, entry && entry.expiresAt > Date.now() ? entry.session : null);
+      })
+      .catch(callback);
+  }
+
+  set(sid, sess, callback) {
+    this.load()
+      .then(sessions => {
+        sessions[sid] = { session: sess, expiresAt: this.expiresAt(sess) };
+        this.scheduleSave();
+        callback?.();
+      })
+      .catch(err => callback?.(err));
+  }
+
+  touch(sid, sess, callback) {
+    this.load()
+      .then(sessions => {
+        if (sessions[sid]) {
+          sessions[sid].expiresAt = this.expiresAt(sess);
+          this.scheduleSave();
+        }
+        callback?.();
+      })
+      .catch(err => callback?.(err));
+  }
+
+  destroy(sid, callback) {
+    this.load()
+      .then(sessions => {
+        delete sessions[sid];
+        this.scheduleSave();
+        callback?.();
+      })
+      .catch(err => callback?.(err));
+  }
+}
@@ -0,0 +1,161 @@
+import axios from "axios";
+import Bottleneck from "bottleneck";
+
+// The one Shopify Admin API client every route goes through. All product and variant work is
+// GraphQL; calls are paced by the cost bucket Shopify reports in `extensions.cost.throttleStatus`.
+export const DEFAULT_API_VERSION = "2025-10";
+
+const MAX_RETRIES = 3;
+const DEFAULT_QUERY_COST = 50;
+
+export class ShopifyError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+// Non-2xx HTTP response: { status, body, url }
+export class ShopifyHttpError extends ShopifyError {}
+
+// Top-level GraphQL `errors`: { errors }
+export class ShopifyGraphQLError extends ShopifyError {}
+
+// Still throttled after every retry: { url }
+export class ShopifyThrottleError extends ShopifyError {}
+
+// A mutation answered with userErrors: { operation, userErrors }
+export class ShopifyUserError extends ShopifyError {}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Collects userErrors from every payload of a mutation response, e.g. data.metafieldsSet.userErrors
+export function collectUserErrors(data) {
+  return Object.entries(data || {}).flatMap(([operation, payload]) =>
+    (payload?.userErrors || []).map(e => ({ operation, field: e.field, message: e.message, code: e.code }))
+  );
+}
+
+function formatUserErrors(userErrors) {
+  return userErrors
+    .map(e => `${e.field?.length ? `${[].concat(e.field).join(".")}: ` : ""}${e.message}`)
+    .join("; ");
+}
+
+export function createShopifyClient({ shop, accessToken, apiVersion = DEFAULT_API_VERSION }) {
+  const baseUrl = `https://${shop}/admin/api/${apiVersion}`;
+  const headers = { "X-Shopify-Access-Token": accessToken, "Content-Type": "application/json" };
+
+  const graphqlLimiter = new Bottleneck({ maxConcurrent: 1 });
+
+  // Last known state of the GraphQL cost bucket, refilled at restoreRate points per second
+  const bucket = { available: null, maximum: null, restoreRate: 50, checkedAt: 0 };
+  const lastCost = new Map(); // query text -> requestedQueryCost of its last run
+
+  function estimatedAvailable() {
+    if (bucket.available === null) return Infinity;
+    const restored = ((Date.now() - bucket.checkedAt) / 1000) * bucket.restoreRate;
+    return Math.min(bucket.maximum, bucket.available + restored);
+  }
+
+  async function waitForCost(cost) {
+    const missing = cost - estimatedAvailable();
+    if (missing > 0) await wait(Math.ceil((missing / bucket.restoreRate) * 1000));
+  }
+
+  // Takes a request's estimated cost out of the bucket as it is sent; the response's throttleStatus
+  // then replaces the estimate
+  function reserveCost(cost) {
+    if (bucket.available === null) return;
+    bucket.available = estimatedAvailable() - cost;
+    bucket.checkedAt = Date.now();
+  }
+
+  function recordCost(query, cost) {
+    if (!cost) return;
+    if (cost.requestedQueryCost) lastCost.set(query, cost.requestedQueryCost);
+    const status = cost.throttleStatus;
+    if (status) {
+      bucket.available = status.currentlyAvailable;
+      bucket.maximum = status.maximumAvailable;
+      bucket.restoreRate = status.restoreRate || bucket.restoreRate;
+      bucket.checkedAt = Date.now();
+    }
+  }
+
+  function httpError(err, url) {
+    const status = err.response?.status;
+    const body = err.response?.data;
+    return new ShopifyHttpError(
+      `Shopify request failed: ${err.message}${status ? `, status: ${status}, data: ${JSON.stringify(body)}` : ""}`,
+      { status, body, url }
+    );
+  }
+
+  function retryDelay(err) {
+    const status = err.response?.status;
+    if (status === 429) return parseFloat(err.response.headers?.["retry-after"] || 2) * 1000;
+    if (status >= 500) return 1000;
+    return null;
+  }
+
+  async function graphql(query, variables = {}) {
+    const url = `${baseUrl}/graphql.json`;
+
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+      let response;
+      try {
+        // Waiting inside the limiter: each queued call sees the bucket its predecessors left behind
+        response = await graphqlLimiter.schedule(async () => {
+          const cost = lastCost.get(query) || DEFAULT_QUERY_COST;
+          await waitForCost(cost);
+          reserveCost(cost);
+          return axios.post(url, { query, variables }, { headers });
+        });
+      } catch (err) {
+        const delay = retryDelay(err);
+        if (delay === null) throw httpError(err, url);
+        console.log(`Shopify GraphQL HTTP ${err.response.status}, retrying after ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+        await wait(delay);
+        continue;
+      }
+
+      const graphData = response.data;
+      if (!graphData || typeof graphData !== "object") {
+        throw new ShopifyGraphQLError(`Invalid GraphQL response: ${JSON.stringify(graphData)}`, { errors: [] });
+      }
+      recordCost(query, graphData.extensions?.cost);
+
+      if (graphData.errors) {
+        if (graphData.errors.some(e => e.extensions?.code === "THROTTLED")) {
+          const cost = graphData.extensions?.cost;
+          const needed = (cost?.requestedQueryCost || DEFAULT_QUERY_COST) - (cost?.throttleStatus?.currentlyAvailable || 0);
+          const delay = Math.max(Math.ceil((needed / bucket.restoreRate) * 1000), 1000);
+          console.log(`GraphQL throttled, retrying after ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+          await wait(delay);
+          continue;
+        }
+        throw new ShopifyGraphQLError(`GraphQL errors: ${JSON.stringify(graphData.errors)}`, { errors: graphData.errors });
+      }
+      if (!graphData.data) {
+        throw new ShopifyGraphQLError(`GraphQL response missing 'data' field: ${JSON.stringify(graphData)}`, { errors: [] });
+      }
+      return graphData.data;
+    }
+    throw new ShopifyThrottleError(`Max retries (${MAX_RETRIES}) exceeded for GraphQL`, { url });
+  }
+
+  // Like graphql(), but any userErrors in the payload are thrown as one ShopifyUserError
+  async function mutation(query, variables = {}) {
+    const data = await graphql(query, variables);
+    const userErrors = collectUserErrors(data);
+    if (userErrors.length > 0) {
+      const operation = userErrors[0].operation;
+      throw new ShopifyUserError(`${operation} failed: ${formatUserErrors(userErrors)}`, { operation, userErrors });
+    }
+    return data;
+  }
+
+  return { shop, apiVersion, graphql, mutation };
+}
@@ -0,0 +1,163 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { writeFileAtomic, createWriteQueue } from "./files.js";
+
+// Shops the app is installed on: <DATA_DIR>/shops.json
+// Each entry holds the shop's OAuth access token, encrypted with TOKEN_ENCRYPTION_KEY (AES-256-GCM),
+// and the storefront domains it is served under. A shop configured through SHOP/TOKEN keeps its token in
+// the environment. Everything the app stores for a shop lives in <DATA_DIR>/shops/<shop>/.
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+const SHOPS_FILE = path.join(DATA_DIR, "shops.json");
+const SHOP_DOMAIN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+const context = new AsyncLocalStorage(); // { shop } of the request or background task being run
+const envTokens = new Map(); // shop -> access token from the environment
+let shops = null; // shop -> { token?: { iv, tag, data }, scope, installedAt, domains: [] }, loaded lazily
+const queueWrite = createWriteQueue();
+
+export function isShopDomain(value) {
+  return SHOP_DOMAIN.test(String(value || ""));
+}
+
+// "https://Store.myshopify.com/admin" -> "store.myshopify.com"; null for anything that is not a shop
+export function normalizeShopDomain(value) {
+  const shop = String(value || "").trim().toLowerCase().replace(/^https?:\/\//, "").replace(/[/?#].*$/, "");
+  return isShopDomain(shop) ? shop : null;
+}
+
+function encryptionKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) throw new Error("TOKEN_ENCRYPTION_KEY must be set to store shop access tokens");
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+}
+
+async function loadShops() {
+  if (shops) return shops;
+  try {
+    shops = JSON.parse(await fs.readFile(SHOPS_FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    shops = {};
+  }
+  return shops;
+}
+
+function saveShops() {
+  const data = JSON.stringify(shops, null, 2);
+  return queueWrite(() => writeFileAtomic(SHOPS_FILE, data, { mode: 0o600 }), "shops");
+}
+
+// The store of a single-shop setup (SHOP and TOKEN in the environment)
+export function registerEnvShop(shop, accessToken) {
+  envTokens.set(shop, accessToken);
+}
+
+// The shop of a single-shop setup, which also owns data written before shops were told apart
+export function defaultShop() {
+  return envTokens.keys().next().value || null;
+}
+
+export async function saveShopInstall(shop, { accessToken, scope }) {
+  const current = await loadShops();
+  current[shop] = { ...current[shop], token: encrypt(accessToken), scope, installedAt: new Date().toISOString() };
+  await saveShops();
+}
+
+// After app/uninstalled: the token is dead, the shop's data stays for a reinstall
+export async function removeShop(shop) {
+  const current = await loadShops();
+  if (!current[shop]) return;
+  delete current[shop].token;
+  current[shop].uninstalledAt = new Date().toISOString();
+  await saveShops();
+}
+
+export async function listShops() {
+  const current = await loadShops();
+  const installed = Object.keys(current).filter(shop => current[shop].token);
+  return [...new Set([...envTokens.keys(), ...installed])].sort();
+}
+
+export async function isShopInstalled(shop) {
+  return (await listShops()).includes(shop);
+}
+
+export async function getShopAccessToken(shop) {
+  if (envTokens.has(shop)) return envTokens.get(shop);
+  const entry = (await loadShops())[shop];
+  if (!entry?.token) throw new Error(`The app is not installed on ${shop}`);
+  return decrypt(entry.token);
+}
+
+// Storefront hosts (primary and alternate domains) a shop answers under
+export async function setShopDomains(shop, domains) {
+  const current = await loadShops();
+  const unique = [...new Set(domains.map(d => String(d).toLowerCase()))].sort();
+  if (JSON.stringify(current[shop]?.domains || []) === JSON.stringify(unique)) return;
+  current[shop] = { ...current[shop], domains: unique };
+  await saveShops();
+}
+
+// Every host an installed shop is reached under, its myshopify domain included -> shop
+export async function shopsByHost() {
+  const current = await loadShops();
+  const hosts = new Map();
+  for (const shop of await listShops()) {
+    hosts.set(shop, shop);
+    (current[shop]?.domains || []).forEach(host => hosts.set(host, shop));
+  }
+  return hosts;
+}
+
+export function runWithShop(shop, fn) {
+  return context.run({ shop }, fn);
+}
+
+export function currentShop() {
+  const shop = context.getStore()?.shop;
+  if (!shop) throw new Error("No shop selected for this request");
+  return shop;
+}
+
+// <DATA_DIR>/shops/<current shop>/<...parts>
+export function shopDataDir(...parts) {
+  return path.join(DATA_DIR, "shops", currentShop(), ...parts);
+}
+
+// Data from before shops were told apart (<DATA_DIR>/analytics, ...) moves into the folder of the
+// single-shop setup's shop, once
+export async function migrateLegacyData(shop, dirs) {
+  const target = path.join(DATA_DIR, "shops", shop);
+  for (const dir of dirs) {
+    const from = path.join(DATA_DIR, dir);
+    try {
+      await fs.access(from);
+    } catch {
+      continue;
+    }
+    try {
+      await fs.access(path.join(target, dir));
+      continue; // already there
+    } catch {
+      // not moved yet
+    }
+    await fs.mkdir(target, { recursive: true });
+    await fs.rename(from, path.join(target, dir));
+    console.log(`📁 Moved ${from} to ${path.join(target, dir)}`);
+  }
+}
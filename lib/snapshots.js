@@ -0,0 +1,56 @@
+import fs from "fs/promises";
+import path from "path";
+import { shopDataDir } from "./shops.js";
+import { writeFileAtomic, checkProductId } from "./files.js";
+
+// Product snapshots are stored as JSON files: <DATA_DIR>/shops/<shop>/snapshots/<productId>/<snapshotId>.json
+
+function productDir(productId) {
+  return path.join(shopDataDir("snapshots"), checkProductId(productId));
+}
+
+export async function saveSnapshot(productId, reason, product) {
+  const createdAt = new Date().toISOString();
+  const snapshot = { id: String(Date.now()), productId: String(productId), reason, createdAt, product };
+  await writeFileAtomic(path.join(productDir(productId), `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2));
+  return snapshot;
+}
+
+export async function getSnapshot(productId, snapshotId) {
+  if (!/^\d+$/.test(String(snapshotId))) throw new Error(`Invalid snapshot ID: ${snapshotId}`);
+  try {
+    return JSON.parse(await fs.readFile(path.join(productDir(productId), `${snapshotId}.json`), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+// Newest first; the product payload is left out to keep listings small.
+export async function listSnapshots(productId) {
+  let files = [];
+  try {
+    files = await fs.readdir(productDir(productId));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const snapshots = await Promise.all(
+    files.filter(f => f.endsWith(".json")).map(async f => {
+      const { product, ...meta } = JSON.parse(await fs.readFile(path.join(productDir(productId), f), "utf8"));
+      return { ...meta, title: product?.title, variantCount: product?.variants?.length || 0 };
+    })
+  );
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// All product IDs that have at least one snapshot
+export async function listSnapshotProducts() {
+  try {
+    const entries = await fs.readdir(shopDataDir("snapshots"), { withFileTypes: true });
+    return entries.filter(e => e.isDirectory()).map(e => e.name);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
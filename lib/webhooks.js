@@ -0,0 +1,44 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { writeFileAtomic, createWriteQueue } from "./files.js";
+
+// IDs of webhooks already acted on: <DATA_DIR>/webhooks/processed.json
+// Shopify delivers at least once, so a retried orders/create must not take the units off twice.
+const WEBHOOK_DIR = path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "webhooks");
+const PROCESSED_FILE = path.join(WEBHOOK_DIR, "processed.json");
+const MAX_REMEMBERED = 1000;
+
+let processed = null; // loaded lazily, oldest first
+const queueWrite = createWriteQueue();
+
+// X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256 of the raw request body
+export function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+  const digest = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), "base64");
+  return received.length === digest.length && crypto.timingSafeEqual(received, digest);
+}
+
+async function loadProcessed() {
+  if (processed) return processed;
+  try {
+    processed = JSON.parse(await fs.readFile(PROCESSED_FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    processed = [];
+  }
+  return processed;
+}
+
+export async function isWebhookProcessed(webhookId) {
+  return (await loadProcessed()).includes(String(webhookId));
+}
+
+export async function markWebhookProcessed(webhookId) {
+  const ids = await loadProcessed();
+  ids.push(String(webhookId));
+  ids.splice(0, Math.max(ids.length - MAX_REMEMBERED, 0));
+  const data = JSON.stringify(ids);
+  return queueWrite(() => writeFileAtomic(PROCESSED_FILE, data), "processed webhooks");
+}
@@ -0,0 +1,218 @@
+/*
+ * Bundle selector for the storefront, served by the dashboard app at /storefront/bundle.js.
+ *
+ * Place one element per product form and load this script once:
+ *
+ *   <div data-bundle-selector
+ *        data-product-id="{{ product.id }}"
+ *        data-product-handle="{{ product.handle }}"
+ *        data-extra-text="{{ product.metafields.bundle.extra_text | escape }}"></div>
+ *   <script src="https://<app host>/storefront/bundle.js?v=<version>" defer></script>
+ *
+ * Optional data attributes:
+ *   data-option-name    name of the tier option (default "Bundle")
+ *   data-variant-input  selector of the cart form's variant field (default: the "id" field of the
+ *                       nearest /cart/add form, else the first one on the page)
+ *   data-currency       ISO currency of the prices (default: the storefront's active currency)
+ *   data-locale         locale for money formatting (default: the page's lang)
+ *   data-unit-label     text after the per-unit price (default "/ unit")
+ *   data-save-label     text before the savings (default "Save")
+ *   data-track          "false" skips visit tracking
+ *   data-endpoint       origin of the app (default: where this script was loaded from)
+ *
+ * Tiers are the values of the bundle option ("1x", "2x", ...). Prices come from the storefront's own
+ * /products/<handle>.js, so they follow the customer's market and currency.
+ */
+(function () {
+  "use strict";
+
+  var VISITOR_KEY = "bundle_visitor_id";
+  var script = document.currentScript;
+  var scriptOrigin = script ? new URL(script.src, location.href).origin : "";
+  var tracked = {}; // productId -> true once this page view was sent
+
+  function visitorId() {
+    try {
+      var id = localStorage.getItem(VISITOR_KEY);
+      if (!id) {
+        id = window.crypto && crypto.randomUUID
+          ? crypto.randomUUID()
+          : Date.now().toString(36) + Math.random().toString(36).slice(2);
+        localStorage.setItem(VISITOR_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      return null; // storage blocked: the server falls back to its cookie
+    }
+  }
+
+  function trackVisit(el, productId) {
+    if (el.dataset.track === "false" || !productId || tracked[productId]) return;
+    tracked[productId] = true;
+    var body = { product_id: productId };
+    // The myshopify domain tells the app which installed shop the visit belongs to
+    if (window.Shopify && Shopify.shop) body.shop = Shopify.shop;
+    var id = visitorId();
+    if (id) body.visitor_id = id;
+    fetch((el.dataset.endpoint || scriptOrigin) + "/track-bundle-visit", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      credentials: "include",
+      keepalive: true,
+    }).catch(function () {});
+  }
+
+  function moneyFormatter(el) {
+    var currency = el.dataset.currency || (window.Shopify && Shopify.currency && Shopify.currency.active) || "EUR";
+    var locale = el.dataset.locale || document.documentElement.lang || undefined;
+    var format = new Intl.NumberFormat(locale, { style: "currency", currency: currency });
+    return function (cents) { return format.format(cents / 100); };
+  }
+
+  function tierQty(value) {
+    var match = /^(\d+)\s*x$/i.exec(String(value).trim());
+    return match ? Number(match[1]) : null;
+  }
+
+  function findVariantInput(el) {
+    if (el.dataset.variantInput) return document.querySelector(el.dataset.variantInput);
+    var form = el.closest('form[action*="/cart/add"]');
+    if (form) return form.querySelector('[name="id"]');
+    return document.querySelector('form[action*="/cart/add"] [name="id"]');
+  }
+
+  // Variants are grouped by their other options; each group is one set of tiers
+  function otherOptionsKey(variant, tierIndex) {
+    return variant.options.filter(function (_, i) { return i !== tierIndex; }).join(" / ");
+  }
+
+  function tiersFor(product, tierIndex, current) {
+    var key = current ? otherOptionsKey(current, tierIndex) : null;
+    var tiers = product.variants
+      .filter(function (v) { return key === null || otherOptionsKey(v, tierIndex) === key; })
+      .map(function (v) { return { variant: v, qty: tierQty(v.options[tierIndex]) }; })
+      .filter(function (t) { return t.qty; })
+      .sort(function (a, b) { return a.qty - b.qty; });
+    // Savings are measured against buying the same units one at a time
+    var single = tiers.filter(function (t) { return t.qty === 1; })[0];
+    tiers.forEach(function (t) {
+      t.unitPrice = Math.round(t.variant.price / t.qty);
+      t.savings = single && t.qty > 1 ? single.variant.price * t.qty - t.variant.price : 0;
+      t.savingsPercent = t.savings > 0 ? Math.round((t.savings / (single.variant.price * t.qty)) * 100) : 0;
+    });
+    return tiers;
+  }
+
+  function render(el, product, tierIndex) {
+    var input = findVariantInput(el);
+    var selectedId = input ? Number(input.value) : null;
+    var current = product.variants.filter(function (v) { return v.id === selectedId; })[0]
+      || product.variants.filter(function (v) { return v.available; })[0]
+      || product.variants[0];
+    var tiers = tiersFor(product, tierIndex, current);
+    var money = moneyFormatter(el);
+    var unitLabel = el.dataset.unitLabel || "/ unit";
+    var saveLabel = el.dataset.saveLabel || "Save";
+    var name = "bundle-tier-" + product.id;
+
+    el.textContent = "";
+    var list = document.createElement("div");
+    list.className = "bundle-selector__tiers";
+    list.setAttribute("role", "radiogroup");
+
+    tiers.forEach(function (tier) {
+      var label = document.createElement("label");
+      label.className = "bundle-selector__tier" + (tier.variant.available ? "" : " bundle-selector__tier--unavailable");
+
+      var radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = name;
+      radio.value = tier.variant.id;
+      radio.checked = tier.variant.id === current.id;
+      radio.disabled = !tier.variant.available;
+      radio.addEventListener("change", function () {
+        if (!input) return;
+        input.value = tier.variant.id;
+        input.dispatchEvent(new Event("change", { bubbles: true }));
+      });
+
+      var title = document.createElement("span");
+      title.className = "bundle-selector__label";
+      title.textContent = tier.variant.options[tierIndex];
+
+      var price = document.createElement("span");
+      price.className = "bundle-selector__price";
+      price.textContent = money(tier.variant.price);
+
+      var unit = document.createElement("span");
+      unit.className = "bundle-selector__unit-price";
+      unit.textContent = money(tier.unitPrice) + " " + unitLabel;
+
+      label.appendChild(radio);
+      label.appendChild(title);
+      label.appendChild(price);
+      label.appendChild(unit);
+      if (tier.savings > 0) {
+        var save = document.createElement("span");
+        save.className = "bundle-selector__savings";
+        save.textContent = saveLabel + " " + money(tier.savings) + " (" + tier.savingsPercent + "%)";
+        label.appendChild(save);
+      }
+      list.appendChild(label);
+    });
+    el.appendChild(list);
+
+    if (el.dataset.extraText) {
+      var extra = document.createElement("p");
+      extra.className = "bundle-selector__extra-text";
+      extra.textContent = el.dataset.extraText;
+      el.appendChild(extra);
+    }
+  }
+
+  function init(el) {
+    if (el.dataset.bundleSelectorReady) return;
+    el.dataset.bundleSelectorReady = "true";
+    var productId = el.dataset.productId;
+    trackVisit(el, productId);
+
+    var handle = el.dataset.productHandle;
+    if (!handle) return;
+    var root = (window.Shopify && Shopify.routes && Shopify.routes.root) || "/";
+    fetch(root + "products/" + encodeURIComponent(handle) + ".js")
+      .then(function (response) {
+        if (!response.ok) throw new Error("Product " + handle + " not found");
+        return response.json();
+      })
+      .then(function (product) {
+        var optionName = (el.dataset.optionName || "Bundle").toLowerCase();
+        var tierIndex = product.options.map(function (o) { return String(o.name || o).toLowerCase(); }).indexOf(optionName);
+        if (tierIndex === -1) return; // not a bundle product: nothing to pick
+        render(el, product, tierIndex);
+        // The theme's own pickers switch the other options; show the tiers of the new choice
+        var input = findVariantInput(el);
+        if (input && input.form) {
+          input.form.addEventListener("change", function (event) {
+            if (el.contains(event.target)) return;
+            setTimeout(function () { render(el, product, tierIndex); }, 0);
+          });
+        }
+      })
+      .catch(function (err) {
+        console.warn("Bundle selector:", err.message);
+      });
+  }
+
+  function initAll() {
+    Array.prototype.forEach.call(document.querySelectorAll("[data-bundle-selector]"), init);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", initAll);
+  } else {
+    initAll();
+  }
+  // Sections added later by the theme editor
+  document.addEventListener("shopify:section:load", initAll);
+})();